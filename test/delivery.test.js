@@ -0,0 +1,156 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Dead letters go to the account's KV store — keep them out of the repo's ./storage
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmr-delivery-test-'));
+process.env.CRAWLEE_STORAGE_DIR = path.join(tmpDir, 'storage');
+
+const { Actor } = await import('apify');
+const { createAccountStorage, buildDeliverySinks, deliverToSinks, isDeliveryFailed } = await import('../src/main.js');
+
+// The actor logs its progress — keep the test output to the results
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const storage = createAccountStorage('unit');
+const defaults = {
+    cookieWebhookUrl: null,
+    signingSecret: null,
+    cookieFormats: [],
+    retryPolicy: { retries: 0, baseDelaySecs: 0.01, maxDelaySecs: 0.01 },
+};
+
+// A file sink under a regular file can never be written
+let blocker;
+const okPath = (name) => path.join(tmpDir, 'out', `${name}.json`);
+const failingPath = () => path.join(blocker, 'cookies.json');
+
+const cookie = (name) => ({ name, value: `${name}-value`, domain: '.manheim.com', path: '/', expires: 1900000000, httpOnly: true, secure: true, sameSite: 'Lax' });
+const payload = () => ({
+    schemaVersion: 2,
+    success: true,
+    partial: false,
+    missingCookies: [],
+    account: 'unit',
+    timestamp: new Date().toISOString(),
+    twoFactorAttempts: [],
+    cookies: [cookie('_cl'), cookie('SESSION')],
+    cookieDetails: {
+        _cl: { found: true, required: true, domain: '.manheim.com', expires: 1900000000 },
+        SESSION: { found: true, required: true, domain: '.manheim.com', expires: 1900000000 },
+    },
+});
+
+async function deadLetters() {
+    const store = await Actor.openKeyValueStore(storage.storeName);
+    return (await store.getValue('webhook-dead-letters')) || [];
+}
+
+async function clearDeadLetters() {
+    const store = await Actor.openKeyValueStore(storage.storeName);
+    await store.setValue('webhook-dead-letters', null);
+}
+
+before(() => {
+    blocker = path.join(tmpDir, 'blocker');
+    fs.writeFileSync(blocker, '');
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('a failed optional sink is dead-lettered but does not fail delivery', async () => {
+    await clearDeadLetters();
+    const sinks = buildDeliverySinks([
+        { type: 'file', name: 'primary', path: okPath('primary') },
+        { type: 'file', name: 'backup', path: failingPath() },
+    ], defaults, storage);
+
+    const results = await deliverToSinks(sinks, payload(), storage, []);
+
+    assert.deepEqual(results.map(r => [r.sink, r.ok, r.required]), [['primary', true, false], ['backup', false, false]]);
+    assert.equal(isDeliveryFailed(results), false);
+    assert.equal(JSON.parse(fs.readFileSync(okPath('primary'), 'utf8')).cookies.length, 2);
+    assert.deepEqual((await deadLetters()).map(d => d.sink), ['backup']);
+});
+
+test('a failed required sink fails delivery even when another sink succeeded', async () => {
+    await clearDeadLetters();
+    const sinks = buildDeliverySinks([
+        { type: 'file', name: 'primary', path: okPath('primary') },
+        { type: 'file', name: 'critical', path: failingPath(), required: true },
+    ], defaults, storage);
+
+    const results = await deliverToSinks(sinks, payload(), storage, []);
+
+    assert.equal(results.find(r => r.sink === 'critical').required, true);
+    assert.equal(isDeliveryFailed(results), true);
+    assert.deepEqual((await deadLetters()).map(d => d.sink), ['critical']);
+});
+
+test('delivery fails when every sink failed, required or not', async () => {
+    await clearDeadLetters();
+    const sinks = buildDeliverySinks([
+        { type: 'file', name: 'a', path: failingPath() },
+        { type: 'file', name: 'b', path: failingPath() },
+    ], defaults, storage);
+
+    const results = await deliverToSinks(sinks, payload(), storage, []);
+
+    assert.ok(results.every(r => !r.ok && !r.required));
+    assert.equal(isDeliveryFailed(results), true);
+    assert.equal((await deadLetters()).length, 2);
+});
+
+test('webhook sinks are required by default, other sinks are not', () => {
+    const sinks = buildDeliverySinks([
+        { type: 'webhook', url: 'https://example.com/hook' },
+        { type: 'file', path: okPath('file') },
+        { type: 'webhook', name: 'optional-hook', url: 'https://example.com/other', required: false },
+    ], defaults, storage);
+
+    assert.deepEqual(sinks.map(s => s.required), [true, false, false]);
+    assert.throws(() => buildDeliverySinks([{ type: 'file', path: okPath('x'), required: 'yes' }], defaults, storage), /required must be true or false/);
+});
+
+test('a failing sink is retried per its retry policy before it is dead-lettered', async () => {
+    await clearDeadLetters();
+    const sinks = buildDeliverySinks([
+        { type: 'file', name: 'flaky', path: failingPath(), retries: 2, retryBaseDelaySecs: 0.01, retryMaxDelaySecs: 0.01 },
+    ], defaults, storage);
+
+    const [result] = await deliverToSinks(sinks, payload(), storage, []);
+
+    assert.equal(result.ok, false);
+    assert.equal(result.attempts, 3);
+    assert.equal((await deadLetters()).length, 1);
+});
+
+test('a sink with a cookie filter only receives those cookies', async () => {
+    const sinks = buildDeliverySinks([
+        { type: 'file', name: 'session-only', path: okPath('session-only'), cookies: ['SESSION'] },
+    ], defaults, storage);
+
+    const [result] = await deliverToSinks(sinks, payload(), storage, []);
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(JSON.parse(fs.readFileSync(okPath('session-only'), 'utf8')).cookies.map(c => c.name), ['SESSION']);
+});
+
+test('a payload that breaks the schema is not sent and not dead-lettered', async () => {
+    await clearDeadLetters();
+    const sinks = buildDeliverySinks([{ type: 'file', name: 'strict', path: okPath('strict') }], defaults, storage);
+    const invalid = payload();
+    delete invalid.cookieDetails;
+
+    const [result] = await deliverToSinks(sinks, invalid, storage, []);
+
+    assert.equal(result.ok, false);
+    assert.equal(result.schemaViolation, true);
+    assert.equal(fs.existsSync(okPath('strict')), false);
+    assert.deepEqual(await deadLetters(), []);
+});
@@ -0,0 +1,96 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildImapConfig, extractCodeFromText, findImapCode } from '../src/main.js';
+
+// The actor logs its progress — keep the test output to the results
+mock.method(console, 'log', () => {});
+
+const imapConfig = (overrides = {}) => buildImapConfig({ host: 'imap.example.com', user: 'me@example.com', password: 'secret', ...overrides });
+
+function rawMessage({ subject = 'Your Manheim sign-in', text = null, html = null, from = 'noreply@manheim.com' }) {
+    const headers = [`From: ${from}`, 'To: me@example.com', `Subject: ${subject}`, 'MIME-Version: 1.0'];
+    if (html !== null) {
+        return Buffer.from([...headers, 'Content-Type: text/html; charset=utf-8', '', html].join('\r\n'));
+    }
+    return Buffer.from([...headers, 'Content-Type: text/plain; charset=utf-8', '', text || ''].join('\r\n'));
+}
+
+// Just enough of ImapFlow for findImapCode: search, fetchAll and messageFlagsAdd
+function fakeClient(messages) {
+    const seen = [];
+    return {
+        seen,
+        search: async () => messages.map(m => m.uid),
+        fetchAll: async () => messages,
+        messageFlagsAdd: async (uid, flags) => {
+            seen.push({ uid, flags });
+        },
+    };
+}
+
+const requestedAt = new Date('2025-01-28T10:29:00Z');
+const minutesAfter = (minutes) => new Date(requestedAt.getTime() + minutes * 60000);
+
+test('extractCodeFromText: the default pattern finds a 6-digit code', () => {
+    const { codePattern } = imapConfig();
+    assert.equal(extractCodeFromText('Your passcode is 482913. It expires in 10 minutes.', codePattern), '482913');
+    assert.equal(extractCodeFromText('Call 1-800-555-0199 for help', codePattern), null);
+    assert.equal(extractCodeFromText(null, codePattern), null);
+});
+
+test('extractCodeFromText: the first capture group wins, else the whole match', () => {
+    assert.equal(extractCodeFromText('Order 123456, code: 778899', /code: (\d{6})/), '778899');
+    assert.equal(extractCodeFromText('PIN AB-1234', /AB-\d{4}/), 'AB-1234');
+});
+
+test('buildImapConfig: rejects missing credentials and a bad codeRegex', () => {
+    assert.throws(() => buildImapConfig({ host: 'imap.example.com', user: 'me@example.com' }), /requires host, user and password/);
+    assert.throws(() => imapConfig({ codeRegex: '(' }), /codeRegex is not a valid regular expression/);
+});
+
+test('findImapCode: takes the newest message and marks it as read', async () => {
+    const client = fakeClient([
+        { uid: 1, internalDate: minutesAfter(1), source: rawMessage({ text: 'Your passcode is 111111' }) },
+        { uid: 2, internalDate: minutesAfter(2), source: rawMessage({ text: 'Your passcode is 222222' }) },
+    ]);
+    assert.equal(await findImapCode(client, imapConfig(), requestedAt, null), '222222');
+    assert.deepEqual(client.seen, [{ uid: '2', flags: ['\\Seen'] }]);
+});
+
+test('findImapCode: skips the code PingFederate just rejected', async () => {
+    const client = fakeClient([
+        { uid: 1, internalDate: minutesAfter(1), source: rawMessage({ text: 'Your passcode is 111111' }) },
+        { uid: 2, internalDate: minutesAfter(2), source: rawMessage({ text: 'Your passcode is 222222' }) },
+    ]);
+    assert.equal(await findImapCode(client, imapConfig({ markAsRead: false }), requestedAt, '222222'), '111111');
+    assert.deepEqual(client.seen, []);
+});
+
+test('findImapCode: ignores messages from before the login, beyond the clock tolerance', async () => {
+    const client = fakeClient([
+        { uid: 1, internalDate: minutesAfter(-5), source: rawMessage({ text: 'Your passcode is 111111' }) },
+    ]);
+    assert.equal(await findImapCode(client, imapConfig(), requestedAt, null), null);
+
+    const skewed = fakeClient([
+        { uid: 2, internalDate: new Date(requestedAt.getTime() - 30000), source: rawMessage({ text: 'Your passcode is 333333' }) },
+    ]);
+    assert.equal(await findImapCode(skewed, imapConfig(), requestedAt, null), '333333');
+});
+
+test('findImapCode: reads the subject first, then the text, then the HTML without its tags', async () => {
+    const inSubject = fakeClient([
+        { uid: 1, internalDate: minutesAfter(1), source: rawMessage({ subject: 'Code 444444', text: 'Your passcode is 555555' }) },
+    ]);
+    assert.equal(await findImapCode(inSubject, imapConfig(), requestedAt, null), '444444');
+
+    const htmlOnly = fakeClient([
+        { uid: 1, internalDate: minutesAfter(1), source: rawMessage({ html: '<p>Your passcode is <b>666666</b></p>' }) },
+    ]);
+    assert.equal(await findImapCode(htmlOnly, imapConfig(), requestedAt, null), '666666');
+});
+
+test('findImapCode: no matching messages resolves to null', async () => {
+    assert.equal(await findImapCode(fakeClient([]), imapConfig(), requestedAt, null), null);
+});